@@ -0,0 +1,121 @@
+// =====================================
+// Hot-path benchmark: /check + /event throughput
+// =====================================
+// Runs the same load twice against DATABASE_URL, once with the license cache and event
+// batching off (every request queries, every event is its own INSERT) and once with them on,
+// and prints requests/sec and latency for each. A third of the requests are /check calls from
+// an unknown device, which also queue the check.unauthorised webhook. Use a scratch database: it migrates the
+// schema and leaves its bench-* license and events behind.
+//
+//   DATABASE_URL=postgres://... node scripts/bench.cjs [seconds=10] [concurrency=50]
+//
+// BENCH_POOL_MAX (default 10) sizes the pool, like a small production instance.
+
+const { Pool } = require("pg");
+const crypto = require("crypto");
+const { createApp, createPgStore, migrate } = require("../index.cjs");
+
+const SECONDS = Number(process.argv[2] || 10);
+const CONCURRENCY = Number(process.argv[3] || 50);
+const POOL_MAX = Number(process.env.BENCH_POOL_MAX || 10);
+
+const MODES = [
+  { name: "uncached", cache_ttl_sec: 0, event_flush_ms: 0 },
+  { name: "cached", cache_ttl_sec: 10, event_flush_ms: 250 },
+];
+
+// the limiter would otherwise be what gets measured
+const NO_RATE_LIMITS = JSON.stringify({
+  check: { limit: 1e9, window_sec: 1 },
+  event: { limit: 1e9, window_sec: 1 },
+});
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  return sorted[Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length))];
+}
+
+async function run(mode, device_id) {
+  const pool = new Pool({ connectionString: process.env.DATABASE_URL, max: POOL_MAX });
+  const store = createPgStore(pool, { event_flush_ms: mode.event_flush_ms });
+  const { app } = createApp({
+    store,
+    config: { LICENSE_CACHE_TTL_SEC: mode.cache_ttl_sec, LOG_REQUESTS: false, RATE_LIMITS: NO_RATE_LIMITS },
+  });
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const paths = [
+    `/check?device_id=${device_id}`,
+    `/event?device_id=${device_id}&event=ping`,
+    `/check?device_id=${device_id}-unknown`,
+  ];
+
+  const latencies = [];
+  let errors = 0;
+  const until = Date.now() + SECONDS * 1000;
+
+  async function worker(i) {
+    for (let n = i; Date.now() < until; n++) {
+      const t = process.hrtime.bigint();
+      try {
+        const res = await fetch(base + paths[n % paths.length]);
+        await res.arrayBuffer();
+        if (!res.ok) errors++;
+      } catch {
+        errors++;
+      }
+      latencies.push(Number(process.hrtime.bigint() - t) / 1e6);
+    }
+  }
+
+  const started = Date.now();
+  await Promise.all(Array.from({ length: CONCURRENCY }, (_, i) => worker(i)));
+  const elapsed = (Date.now() - started) / 1000;
+
+  await new Promise((resolve) => server.close(resolve));
+  await store.close();
+
+  latencies.sort((a, b) => a - b);
+  return {
+    mode: mode.name,
+    requests: latencies.length,
+    errors,
+    req_per_sec: Math.round(latencies.length / elapsed),
+    p50_ms: Number(percentile(latencies, 50).toFixed(1)),
+    p99_ms: Number(percentile(latencies, 99).toFixed(1)),
+  };
+}
+
+async function main() {
+  if (!process.env.DATABASE_URL) throw new Error("DATABASE_URL missing");
+
+  const setup = new Pool({ connectionString: process.env.DATABASE_URL, max: 1 });
+  await migrate(setup);
+  const device_id = "bench-" + crypto.randomBytes(4).toString("hex");
+  const created = await createPgStore(setup, { event_flush_ms: 0 }).licenses.create(null, device_id, {
+    username: "bench",
+    level: "lite",
+    seats: 1,
+    expiry: "2099-12-31",
+    status: "active",
+  });
+  if (!created) throw new Error("could not create bench license");
+  await setup.end();
+
+  console.log(`${SECONDS}s per mode, ${CONCURRENCY} concurrent clients, pool max ${POOL_MAX}, device ${device_id}`);
+  const results = [];
+  for (const mode of MODES) results.push(await run(mode, device_id));
+  console.table(results);
+
+  const [before, after] = results;
+  if (before.req_per_sec > 0) {
+    console.log(`throughput: ${(after.req_per_sec / before.req_per_sec).toFixed(2)}x`);
+  }
+}
+
+main().catch((err) => {
+  console.error("bench failed:", err.message || err);
+  process.exit(1);
+});
@@ -0,0 +1,545 @@
+// =====================================
+// Behaviour suite: the HTTP API against every store
+// =====================================
+// The same cases run through createApp() on the memory store and, when DATABASE_URL points at
+// a scratch database, on the Postgres store (it migrates the schema and leaves its rows behind,
+// so every run uses fresh ids).
+//
+//   npm test
+//   DATABASE_URL=postgres://... npm test
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { createApp, createMemoryStore, createPgStore, migrate } = require("../index.cjs");
+
+const ADMIN_TOKEN = "test-" + crypto.randomBytes(8).toString("hex");
+const RUN = crypto.randomBytes(4).toString("hex"); // keeps ids unique in a shared database
+
+function signingKeys() {
+  const { privateKey } = crypto.generateKeyPairSync("ed25519");
+  return JSON.stringify({ test: privateKey.export({ format: "pem", type: "pkcs8" }) });
+}
+
+const STORES = [
+  { name: "memory", open: async () => createMemoryStore() },
+  {
+    name: "postgres",
+    skip: !process.env.DATABASE_URL && "DATABASE_URL not set",
+    open: async () => {
+      const { Pool } = require("pg");
+      const pool = new Pool({ connectionString: process.env.DATABASE_URL, max: 4 });
+      await migrate(pool);
+      return createPgStore(pool, { event_flush_ms: 0 });
+    },
+  },
+];
+
+// app on an ephemeral port -> { call(method, path, body?, opts?) -> { status, headers, body }, close() }
+// opts: admin (root token) or token (any admin key), type, headers
+async function serve(store, config = {}) {
+  const { app } = createApp({
+    store,
+    config: { ADMIN_TOKEN, LICENSE_SIGNING_KEYS: signingKeys(), LOG_REQUESTS: false, ...config },
+  });
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  async function call(method, path, body, { admin = false, token, type = "application/json", headers: extra } = {}) {
+    const headers = { ...extra };
+    if (admin || token) headers.authorization = "Bearer " + (token || ADMIN_TOKEN);
+    if (body !== undefined) headers["content-type"] = type;
+    const res = await fetch(base + path, {
+      method,
+      headers,
+      redirect: "manual",
+      body: body === undefined ? undefined : typeof body === "string" ? body : JSON.stringify(body),
+    });
+    const text = await res.text();
+    const json = text && (res.headers.get("content-type") || "").includes("json");
+    return { status: res.status, headers: res.headers, body: json ? JSON.parse(text) : text };
+  }
+
+  return { call, close: () => new Promise((resolve) => server.close(resolve)) };
+}
+
+for (const kind of STORES) {
+  describe(`${kind.name} store`, { skip: kind.skip }, () => {
+    let store;
+    let api;
+    const id = (name) => `${name}-${RUN}`;
+    const admin = (method, path, body) => api.call(method, path, body, { admin: true });
+    const createLicense = (device_id, fields = {}) =>
+      admin("POST", "/admin/licenses", {
+        device_id,
+        username: "Test User",
+        level: "lite",
+        expiry: "2099-12-31",
+        status: "active",
+        ...fields,
+      });
+
+    before(async () => {
+      store = await kind.open();
+      api = await serve(store, { TRIAL_MAX_PER_IP_DAY: 1000 });
+    });
+
+    after(async () => {
+      await api.close();
+      await store.close();
+    });
+
+    it("answers unauthorised for an unknown device", async () => {
+      const r = await api.call("GET", `/check?device_id=${id("nobody")}`);
+      assert.equal(r.status, 200);
+      assert.equal(r.body.status, "unauthorised");
+      assert.equal(typeof r.body.token, "string");
+    });
+
+    it("sends check.unauthorised once per unknown device even with the license cache off", async () => {
+      const sent = [];
+      const counting = { ...store, webhooks: { ...store.webhooks, emit: async (type, data) => sent.push([type, data]) } };
+      const uncached = await serve(counting, { LICENSE_CACHE_TTL_SEC: 0 });
+      try {
+        for (let i = 0; i < 3; i++) await uncached.call("GET", `/check?device_id=${id("flood")}`);
+        await uncached.call("GET", `/check?device_id=${id("flood-2")}`);
+      } finally {
+        await uncached.close();
+      }
+      assert.deepEqual(
+        sent.map(([type, data]) => [type, data.device_id]),
+        [
+          ["check.unauthorised", id("flood")],
+          ["check.unauthorised", id("flood-2")],
+        ]
+      );
+    });
+
+    it("creates a license that /check then accepts", async () => {
+      const device_id = id("create");
+      const c = await createLicense(device_id);
+      assert.equal(c.status, 200);
+      assert.equal(c.body.level, "lite");
+      assert.match(c.body.license_key, /^[0-9A-F]{4}(-[0-9A-F]{4}){3}$/);
+
+      const again = await createLicense(device_id);
+      assert.deepEqual([again.status, again.body.error], [400, "device_id exists"]);
+
+      const r = await api.call("GET", `/check?device_id=${device_id}`);
+      assert.equal(r.body.status, "valid");
+      assert.equal(r.body.level, "lite");
+    });
+
+    it("rejects seats that aren't whole numbers", async () => {
+      for (const seats of ["2.7", 1.5, "abc", 0, -1]) {
+        const r = await createLicense(id("seats-bad"), { seats });
+        assert.deepEqual([r.status, r.body.error], [400, "seats invalid"], `seats ${seats}`);
+      }
+      const ok = await createLicense(id("seats-ok"), { seats: "3" });
+      assert.equal(ok.body.seats, 3);
+    });
+
+    it("rejects admin calls without a key", async () => {
+      const r = await api.call("GET", "/admin/licenses");
+      assert.equal(r.status, 401);
+    });
+
+    it("gives blank CSV cells their defaults when importing new rows", async () => {
+      const device_id = id("csv");
+      const csv = [
+        "device_id,username,level,expiry,status,seats,customer_id",
+        `${device_id},CSV User,lite,2099-12-31,active,,`,
+      ].join("\n");
+      const r = await api.call("POST", "/admin/licenses/import", csv, { admin: true, type: "text/csv" });
+      assert.equal(r.status, 200, JSON.stringify(r.body));
+      assert.equal(r.body.created, 1);
+
+      const list = await admin("GET", `/admin/licenses?device_id=${device_id}`);
+      assert.equal(list.body.rows[0].seats, 1);
+      assert.equal(list.body.rows[0].customer_id, null);
+    });
+
+    it("binds devices to seats and frees them on /deactivate", async () => {
+      const owner = id("seats");
+      const { body: lic } = await createLicense(owner, { seats: 2 });
+      const second = await api.call("POST", "/activate", { license_key: lic.license_key, device_id: id("seats-2") });
+      assert.equal(second.status, 200);
+      assert.equal(second.body.status, "valid");
+
+      const third = await api.call("POST", "/activate", { license_key: lic.license_key, device_id: id("seats-3") });
+      assert.deepEqual([third.status, third.body.error], [409, "no_seats_available"]);
+
+      const off = await api.call("POST", "/deactivate", { license_key: lic.license_key, device_id: id("seats-2") });
+      assert.equal(off.body.deactivated, true);
+      const retry = await api.call("POST", "/activate", { license_key: lic.license_key, device_id: id("seats-3") });
+      assert.equal(retry.status, 200);
+    });
+
+    it("refuses signed routes whose query and body name different devices", async () => {
+      const victim = id("mismatch");
+      const { body: lic } = await createLicense(victim);
+      const off = await api.call("POST", `/deactivate?device_id=${id("decoy")}`, {
+        license_key: lic.license_key,
+        device_id: victim,
+      });
+      assert.deepEqual([off.status, off.body.error], [400, "device_id mismatch"]);
+      const batch = await api.call("POST", `/events?device_id=${id("decoy")}`, {
+        device_id: victim,
+        events: [{ event: "start", ts: Date.now(), idempotency_key: "m" }],
+      });
+      assert.deepEqual([batch.status, batch.body.error], [400, "device_id mismatch"]);
+
+      const still = await api.call("GET", `/check?device_id=${victim}`);
+      assert.equal(still.body.status, "valid");
+    });
+
+    it("tracks a session through start, ping and end", async () => {
+      const device_id = id("session");
+      await createLicense(device_id);
+      const start = await api.call("GET", `/event?device_id=${device_id}&event=start&script=lite`);
+      assert.equal(start.body.session, "started");
+      const { session_id } = start.body;
+
+      const ping = await api.call("GET", `/event?device_id=${device_id}&event=ping&session_id=${session_id}`);
+      assert.deepEqual([ping.body.session, ping.body.session_id], ["alive", session_id]);
+      const end = await api.call("GET", `/event?device_id=${device_id}&event=end&session_id=${session_id}&duration=5`);
+      assert.equal(end.body.session, "ended");
+
+      const list = await admin("GET", `/admin/sessions?device_id=${device_id}`);
+      assert.equal(list.body.rows.length, 1);
+      assert.equal(list.body.rows[0].session_id, session_id);
+      assert.equal(list.body.rows[0].status, "ended");
+    });
+
+    it("ends only running sessions", async () => {
+      const device_id = id("end");
+      await createLicense(device_id);
+      const unknown = await api.call("GET", `/event?device_id=${device_id}&event=end&session_id=${id("no-such")}`);
+      assert.deepEqual([unknown.body.session, unknown.body.session_id], ["not_found", null]);
+
+      const start = await api.call("GET", `/event?device_id=${device_id}&event=start`);
+      const { session_id } = start.body;
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      await store.sessions.reap(0); // as if the device went quiet past SESSION_TIMEOUT_SEC
+      const late = await api.call("GET", `/event?device_id=${device_id}&event=end&session_id=${session_id}`);
+      assert.equal(late.body.session, "not_found");
+
+      const list = await admin("GET", `/admin/sessions?device_id=${device_id}`);
+      assert.equal(list.body.rows[0].status, "timed_out");
+    });
+
+    it("does not start sessions for unknown devices", async () => {
+      const r = await api.call("GET", `/event?device_id=${id("ghost")}&event=start`);
+      assert.deepEqual([r.body.session, r.body.reason], ["not_started", "unauthorised"]);
+    });
+
+    it("checks starts without a script against the level's script", async () => {
+      const level = `s${RUN}`;
+      await admin("POST", "/admin/plans", { name: level, entitlements: { allowed_scripts: ["lite"] } });
+      const device_id = id("scripted");
+      await createLicense(device_id, { level });
+      const start = (q) => api.call("GET", `/event?device_id=${device_id}&event=start${q}`);
+
+      const bare = await start("");
+      assert.deepEqual([bare.body.session, bare.body.reason], ["not_started", "script_required"]);
+      const other = await start("&script=pro");
+      assert.deepEqual([other.body.session, other.body.reason], ["not_started", "script_not_entitled"]);
+
+      await admin("PUT", `/admin/plans?name=${level}`, { entitlements: { allowed_scripts: ["lite", level] } });
+      const fallback = await start("");
+      assert.equal(fallback.body.session, "started");
+      const sessions = await admin("GET", `/admin/sessions?device_id=${device_id}`);
+      assert.equal(sessions.body.rows[0].level, level);
+    });
+
+    it("accepts an /events batch once and reports replays as duplicates", async () => {
+      const device_id = id("batch");
+      await createLicense(device_id);
+      const now = Date.now();
+      const batch = {
+        device_id,
+        sent_at: now,
+        events: [
+          { event: "start", ts: now - 2000, idempotency_key: "a", session_id: id("batch-s") },
+          { event: "end", ts: now - 1000, idempotency_key: "b", session_id: id("batch-s"), duration: 1 },
+        ],
+      };
+      const first = await api.call("POST", "/events", batch);
+      assert.equal(first.status, 200);
+      assert.deepEqual(
+        first.body.results.map((r) => r.result),
+        ["accepted", "accepted"]
+      );
+      const replay = await api.call("POST", "/events", batch);
+      assert.deepEqual(
+        replay.body.results.map((r) => r.result),
+        ["duplicate", "duplicate"]
+      );
+    });
+
+    it("suspends, archives and restores a license", async () => {
+      const device_id = id("lifecycle");
+      await createLicense(device_id);
+
+      await admin("PUT", `/admin/licenses?device_id=${device_id}`, { status: "suspended", suspended_reason: "unpaid" });
+      const suspended = await api.call("GET", `/check?device_id=${device_id}`);
+      assert.deepEqual([suspended.body.status, suspended.body.reason], ["suspended", "unpaid"]);
+
+      const del = await admin("DELETE", `/admin/licenses?device_id=${device_id}`);
+      assert.equal(del.body.archived, true);
+      const archived = await api.call("GET", `/check?device_id=${device_id}`);
+      assert.notEqual(archived.body.status, "valid");
+
+      const restored = await admin("POST", "/admin/licenses/restore", { device_id });
+      assert.equal(restored.status, 200);
+      await admin("PUT", `/admin/licenses?device_id=${device_id}`, { status: "active" });
+      const back = await api.call("GET", `/check?device_id=${device_id}`);
+      assert.equal(back.body.status, "valid");
+    });
+
+    it("restores a version with the customer it was linked to", async () => {
+      const c = await admin("POST", "/admin/customers", { name: "Acme", email: `acme-${RUN}@example.com` });
+      assert.equal(c.status, 200);
+      const device_id = id("restore");
+      await createLicense(device_id, { customer_id: c.body.id });
+      await admin("PUT", `/admin/licenses?device_id=${device_id}`, { customer_id: "", seats: 3 });
+
+      const history = await admin("GET", `/admin/licenses/history?device_id=${device_id}`);
+      const created = history.body.find((h) => h.action === "create");
+      assert.equal(Number(created.after.customer_id), Number(c.body.id));
+
+      const r = await admin("POST", "/admin/licenses/restore", { device_id, audit_id: created.id });
+      assert.equal(r.status, 200);
+      assert.equal(Number(r.body.customer_id), Number(c.body.id));
+      assert.equal(r.body.seats, 1);
+    });
+
+    it("renews every license of a customer", async () => {
+      const c = await admin("POST", "/admin/customers", { name: "Renew Co", email: `renew-${RUN}@example.com` });
+      await createLicense(id("renew-1"), { customer_id: c.body.id, expiry: "2030-01-01" });
+      await createLicense(id("renew-2"), { customer_id: c.body.id, expiry: "2030-06-01" });
+
+      const r = await admin("POST", "/admin/customers/renew", { id: c.body.id, expiry: "2031-01-01" });
+      assert.equal(r.status, 200);
+      assert.equal(r.body.renewed, 2);
+      const devices = await admin("GET", `/admin/licenses?customer_id=${c.body.id}`);
+      assert.deepEqual(
+        devices.body.rows.map((l) => String(l.expiry).slice(0, 10)),
+        ["2031-01-01", "2031-01-01"]
+      );
+    });
+
+    it("purges a license and its device data", async () => {
+      const device_id = id("purge");
+      await createLicense(device_id);
+      await api.call("GET", `/check?device_id=${device_id}`);
+
+      const bad = await admin("POST", "/admin/licenses/purge", { device_id, confirm: "nope" });
+      assert.equal(bad.status, 400);
+      const r = await admin("POST", "/admin/licenses/purge", { device_id, confirm: device_id });
+      assert.equal(r.body.purged, true);
+
+      const check = await api.call("GET", `/check?device_id=${device_id}`);
+      assert.equal(check.body.status, "unauthorised");
+      const history = await admin("GET", `/admin/licenses/history?device_id=${device_id}`);
+      assert.deepEqual(history.body, []);
+    });
+
+    it("enrolls a device and then only takes signed requests from it", async () => {
+      const device_id = id("signed");
+      const { body: lic } = await createLicense(device_id);
+      const on = await api.call("POST", "/activate", { license_key: lic.license_key, device_id, enroll: true });
+      assert.equal(on.body.enrollment.auth_type, "hmac");
+      const again = await api.call("POST", "/enroll", { license_key: lic.license_key, device_id });
+      assert.deepEqual([again.status, again.body.error], [409, "already_enrolled"]);
+
+      const unsigned = await api.call("GET", `/check?device_id=${device_id}`);
+      assert.deepEqual([unsigned.status, unsigned.body.error], [401, "signature_missing"]);
+
+      const signedCheck = async () => {
+        const { body: ch } = await api.call("GET", `/challenge?device_id=${device_id}`);
+        const ts = String(Math.floor(Date.now() / 1000));
+        const bodyHash = crypto.createHash("sha256").update("").digest("hex");
+        const msg = ["v1", ts, ch.nonce, "GET", "/check", `device_id=${device_id}`, bodyHash].join("\n");
+        const sig = crypto.createHmac("sha256", on.body.enrollment.device_secret).update(msg).digest("base64");
+        const headers = { "x-device-timestamp": ts, "x-device-nonce": ch.nonce, "x-device-signature": sig };
+        return [headers, await api.call("GET", `/check?device_id=${device_id}`, undefined, { headers })];
+      };
+      const [headers, ok] = await signedCheck();
+      assert.deepEqual([ok.status, ok.body.status], [200, "valid"]);
+      const replay = await api.call("GET", `/check?device_id=${device_id}`, undefined, { headers });
+      assert.deepEqual([replay.status, replay.body.error], [401, "nonce_invalid"]);
+
+      const cleared = await admin("DELETE", `/admin/licenses/devices/credentials?device_id=${device_id}`);
+      assert.equal(cleared.status, 200);
+      const open = await api.call("GET", `/check?device_id=${device_id}`);
+      assert.equal(open.body.status, "valid");
+      const none = await api.call("GET", `/challenge?device_id=${device_id}`);
+      assert.deepEqual([none.status, none.body.error], [404, "not_enrolled"]);
+    });
+
+    it("issues scoped admin keys and stops honouring revoked ones", async () => {
+      const made = await admin("POST", "/admin/keys", { name: id("reader"), scopes: ["licenses:read"] });
+      assert.equal(made.status, 200);
+      const token = made.body.key;
+      const dup = await admin("POST", "/admin/keys", { name: id("reader"), scopes: ["licenses:read"] });
+      assert.deepEqual([dup.status, dup.body.error], [400, "name exists"]);
+
+      const list = await admin("GET", "/admin/keys");
+      const listed = list.body.find((k) => k.id === made.body.id);
+      assert.equal(listed.key_hash, undefined);
+      assert.deepEqual(listed.scopes, ["licenses:read"]);
+
+      const read = await api.call("GET", "/admin/licenses?limit=1", undefined, { token });
+      assert.equal(read.status, 200);
+      const write = await api.call("POST", "/admin/licenses", { device_id: id("nope") }, { token });
+      assert.deepEqual([write.status, write.body.scope], [403, "licenses:write"]);
+
+      const revoked = await admin("DELETE", `/admin/keys?id=${made.body.id}`);
+      assert.equal(revoked.body.revoked, true);
+      const after = await api.call("GET", "/admin/licenses?limit=1", undefined, { token });
+      assert.equal(after.status, 401);
+    });
+
+    it("queues webhook deliveries for subscribed events and replays them", async () => {
+      const sub = await admin("POST", "/admin/webhooks", {
+        url: "http://127.0.0.1:9/hook",
+        event_types: ["license.created"],
+      });
+      assert.equal(sub.status, 200);
+      assert.match(sub.body.secret, /^whsec_/);
+      const bad = await admin("POST", "/admin/webhooks", { url: "ftp://x", event_types: ["license.created"] });
+      assert.deepEqual([bad.status, bad.body.error], [400, "url invalid"]);
+
+      const device_id = id("hooked");
+      await createLicense(device_id);
+      await admin("PUT", "/admin/licenses", { device_id, username: "Renamed" }); // license.updated: not subscribed
+
+      const path = `/admin/webhooks/deliveries?subscription_id=${sub.body.id}`;
+      const { body: queued } = await admin("GET", path);
+      assert.deepEqual(
+        queued.map((d) => [d.event_type, d.status, d.payload.data.device_id]),
+        [["license.created", "pending", device_id]]
+      );
+
+      const replay = await admin("POST", "/admin/webhooks/deliveries/replay", { id: queued[0].id });
+      assert.equal(replay.body.replay_of, queued[0].id);
+      const { body: both } = await admin("GET", path);
+      assert.equal(both.length, 2);
+
+      const off = await admin("PUT", `/admin/webhooks?id=${sub.body.id}`, { active: false });
+      assert.equal(off.body.active, false);
+      const gone = await admin("DELETE", `/admin/webhooks?id=${sub.body.id}`);
+      assert.equal(gone.body.deleted, true);
+      const missing = await admin("DELETE", `/admin/webhooks?id=${sub.body.id}`);
+      assert.equal(missing.status, 404);
+    });
+
+    it("creates, updates and deletes plans", async () => {
+      const name = `p${RUN}`;
+      const made = await admin("POST", "/admin/plans", {
+        name,
+        default_duration_days: 30,
+        entitlements: { concurrent_sessions: 2 },
+      });
+      assert.equal(made.status, 200);
+      assert.deepEqual(made.body.entitlements, { concurrent_sessions: 2 });
+      const dup = await admin("POST", "/admin/plans", { name });
+      assert.deepEqual([dup.status, dup.body.error], [400, "name exists"]);
+
+      const upd = await admin("PUT", `/admin/plans?name=${name}`, { description: "Two sessions" });
+      assert.deepEqual([upd.body.description, upd.body.default_duration_days], ["Two sessions", 30]);
+      const missing = await admin("PUT", `/admin/plans?name=x${name}`, { description: "?" });
+      assert.equal(missing.status, 404);
+
+      await createLicense(id("planned"), { level: name });
+      const inUse = await admin("DELETE", `/admin/plans?name=${name}`);
+      assert.deepEqual([inUse.status, inUse.body.error], [400, "plan_in_use"]);
+      await admin("POST", "/admin/licenses/purge", { device_id: id("planned"), confirm: id("planned") });
+      const gone = await admin("DELETE", `/admin/plans?name=${name}`);
+      assert.equal(gone.body.deleted, true);
+      const { body: plans } = await admin("GET", "/admin/plans");
+      assert.equal(plans.some((p) => p.name === name), false);
+    });
+
+    it("exports licenses as CSV", async () => {
+      const device_id = id("export");
+      const { body: lic } = await createLicense(device_id, { seats: 3 });
+      const r = await admin("GET", "/admin/licenses/export?status=active&expiry_from=2099-12-31");
+      assert.equal(r.status, 200);
+      const lines = r.body.trim().split("\n");
+      assert.equal(lines[0], "device_id,license_key,seats,username,level,expiry,status,customer_id");
+      assert.ok(lines.includes(`${device_id},${lic.license_key},3,Test User,lite,2099-12-31,active,`));
+    });
+
+    it("reports retention, anomalies and usage", async () => {
+      const retention = await admin("GET", "/admin/retention");
+      assert.equal(retention.status, 200);
+      assert.equal(typeof retention.body.enabled, "boolean");
+      assert.ok(Array.isArray(retention.body.runs));
+
+      const anomalies = await admin("GET", "/admin/anomalies?window_hours=1");
+      assert.equal(anomalies.status, 200);
+      assert.ok(Array.isArray(anomalies.body));
+
+      const device_id = id("usage");
+      await createLicense(device_id);
+      await api.call("GET", `/check?device_id=${device_id}`);
+      const today = new Date().toISOString().slice(0, 10);
+      const usage = await admin("GET", `/admin/reports/usage?report=active_devices&from=${today}&to=${today}`);
+      assert.deepEqual(usage.body.columns, ["bucket", "active_devices"]);
+      assert.equal(usage.body.rows.length, 1);
+      assert.equal(String(usage.body.rows[0].bucket).slice(0, 10), today);
+      assert.ok(Number(usage.body.rows[0].active_devices) >= 1);
+    });
+
+    it("signs in to the dashboard with an admin key", async () => {
+      const cookie = (r, name) => (r.headers.get("set-cookie") || "").match(new RegExp(`${name}=([^;]*)`))[1];
+      const form = await api.call("GET", "/dashboard/login");
+      assert.equal(form.status, 200);
+      const login = cookie(form, "dash_login");
+
+      const post = (key) =>
+        api.call("POST", "/dashboard/login", `_csrf=${login}&key=${encodeURIComponent(key)}&next=/dashboard/`, {
+          type: "application/x-www-form-urlencoded",
+          headers: { cookie: `dash_login=${login}` },
+        });
+      assert.equal((await post("wrong")).status, 401);
+      const ok = await post(ADMIN_TOKEN);
+      assert.equal(ok.status, 303);
+
+      const sid = cookie(ok, "dash_sid");
+      const home = await api.call("GET", "/dashboard/", undefined, { headers: { cookie: `dash_sid=${sid}` } });
+      assert.equal(home.status, 200);
+      assert.match(home.body, /Licenses/);
+    });
+
+    describe("trials", () => {
+      let trialApi;
+      before(async () => {
+        trialApi = await serve(store, { TRIAL_PLAN: "lite", TRIAL_MAX_PER_IP_DAY: 1000 });
+      });
+      after(() => trialApi.close());
+
+      it("hands out the trial key only when the trial starts", async () => {
+        const device_id = id("trial");
+        const first = await trialApi.call("POST", "/activate", { device_id });
+        assert.equal(first.status, 200);
+        assert.equal(first.body.trial, true);
+        assert.equal(typeof first.body.license_key, "string");
+
+        const again = await trialApi.call("POST", "/activate", { device_id });
+        assert.equal(again.body.already, true);
+        assert.equal(again.body.license_key, undefined);
+
+        const other = await trialApi.call("POST", "/activate", {
+          device_id: id("trial-thief"),
+          license_key: first.body.license_key,
+        });
+        assert.deepEqual([other.status, other.body.error], [409, "trial_not_transferable"]);
+      });
+    });
+  });
+}